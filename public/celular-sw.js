@@ -0,0 +1,74 @@
+/* Service worker da cabine (celular.html): guarda a página e os assets para abrir sem internet.
+   Página e config (/api/config.js): rede primeiro (pega a versão nova), cache se estiver offline.
+   Assets: cache primeiro, atualiza por trás.
+   O resto da API, a conexão do socket.io e os uploads nunca passam por aqui — as fotos offline ficam no outbox
+   (IndexedDB) da página. */
+const CACHE = 'cabine-celular-v3';
+const PAGE = 'celular.html';
+const CONFIG_SCRIPT = '/api/config.js';
+const ASSETS = [
+  PAGE,
+  'celular.webmanifest',
+  'logo.png',
+  'iniciar.png',
+  'clack.mp3',
+  'inicio.mp3',
+  'fim.mp3',
+  '/socket.io/socket.io.min.js',
+  CONFIG_SCRIPT
+];
+
+self.addEventListener('install', (event) => {
+  // um asset que falha (ex.: iniciar.png ausente) não impede a instalação
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => Promise.all(ASSETS.map(url => cache.add(new Request(url, { mode: 'cors' })).catch(err => console.warn('[sw] não guardou', url, err && err.message)))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('cabine-celular-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isAsset(url){
+  return ASSETS.some(a => new URL(a, self.registration.scope).href === url.href);
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  // ?session=... muda por cabine: a mesma página guardada serve para todas
+  const networkFirst = (req.mode === 'navigate' && url.pathname.endsWith('/' + PAGE)) ? PAGE
+    : (url.pathname === CONFIG_SCRIPT ? CONFIG_SCRIPT : null);
+  if (networkFirst) {
+    event.respondWith(
+      fetch(req)
+        .then(res => {
+          if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(cache => cache.put(networkFirst, copy)); }
+          return res;
+        })
+        .catch(() => caches.match(networkFirst, { ignoreSearch: true }).then(hit => hit || Response.error()))
+    );
+    return;
+  }
+
+  url.search = '';
+  if (!isAsset(url)) return;
+  event.respondWith(
+    caches.match(url.href).then(hit => {
+      const update = fetch(req).then(res => {
+        if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(cache => cache.put(url.href, copy)); }
+        return res;
+      });
+      if (hit) { update.catch(() => {}); return hit; }
+      return update;
+    })
+  );
+});
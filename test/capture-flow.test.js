@@ -0,0 +1,476 @@
+// Full capture flow against a real server (ephemeral port, temp uploads/, fake IMGBB) driven by headless socket clients.
+// Run with `npm test`. Montages are rendered for real (sharp), so a capture takes a few seconds.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { io } = require('socket.io-client');
+const { createBoothServer } = require('../server');
+
+const SESSION = 'test-booth';
+const OPERATOR_PIN = '246810';
+const EVENT_TIMEOUT_MS = 60000;
+
+// fake IMGBB: keeps what was uploaded and answers like the real API would (a public image URL)
+const imgbbUploads = [];
+async function fakeImgbbUpload(buffer, { name, mime }) {
+  imgbbUploads.push({ name, mime, bytes: buffer.length, buffer });
+  return `https://i.ibb.co/test/${name}`;
+}
+
+// Helper: small JPEG dataURL in a solid color
+async function testPhoto(background) {
+  const jpeg = await sharp({ create: { width: 320, height: 240, channels: 3, background } }).jpeg().toBuffer();
+  return 'data:image/jpeg;base64,' + jpeg.toString('base64');
+}
+
+// Helper: viewer id + token of a visualizador link
+function linkParams(visualizadorUrl) {
+  const u = new URL(visualizadorUrl);
+  return { viewerId: u.searchParams.get('session'), token: u.searchParams.get('token') };
+}
+
+// Helper: resolves with the next `event` whose payload passes `match`
+function nextEvent(socket, event, match = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!match(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+// Helper: every file below `dir` (relative paths)
+function filesUnder(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+    ? filesUnder(path.join(dir, entry.name), path.join(prefix, entry.name))
+    : [path.join(prefix, entry.name)]);
+}
+
+// Helper: emit with ack; resolves with the ack arguments as an array
+function emitWithAck(socket, event, payload) {
+  return new Promise(resolve => socket.emit(event, payload, (...args) => resolve(args)));
+}
+
+describe('capture flow', () => {
+  let booth;
+  let baseUrl;
+  let uploadsDir;
+  const sockets = [];
+  // server-side persist failures (persistViewer, persistEvent, ...) are only logged; collected here so the suite fails on them
+  const persistErrors = [];
+  const consoleError = console.error;
+
+  function connect(auth) {
+    const socket = io(baseUrl, { transports: ['websocket'], forceNew: true, reconnection: false, auth });
+    sockets.push(socket);
+    return new Promise((resolve, reject) => {
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+    });
+  }
+
+  // operator panel of a booth (ad-hoc booths take guest captures once an operator opened them)
+  async function connectOperator(session = SESSION) {
+    const socket = await connect({ operatorPin: OPERATOR_PIN });
+    socket.emit('join_session', { session, role: 'operator' });
+    await nextEvent(socket, 'booth_state');
+    return socket;
+  }
+
+  async function connectPhone() {
+    const socket = await connect();
+    const [ack] = await emitWithAck(socket, 'cell_connected', { session: SESSION });
+    assert.equal(ack.ok, true);
+    return socket;
+  }
+
+  function api(pathname, init = {}) {
+    return fetch(baseUrl + pathname, init).then(async res => ({ status: res.status, body: await res.json() }));
+  }
+
+  before(async () => {
+    console.error = (...args) => {
+      if (/^persist\w+ error$/.test(args[0])) persistErrors.push(args.slice(1).join(' '));
+      consoleError(...args);
+    };
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cabine-test-'));
+    // a guest from two days ago (default retention: 24h) with one media file on the local disk
+    fs.mkdirSync(path.join(uploadsDir, 'viewers'));
+    fs.writeFileSync(path.join(uploadsDir, 'old_photo_0.jpg'), await sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } }).jpeg().toBuffer());
+    fs.writeFileSync(path.join(uploadsDir, 'viewers', 'old-viewer.json'), JSON.stringify({
+      viewerId: 'old-viewer',
+      session: SESSION,
+      photos: ['http://localhost/uploads/old_photo_0.jpg'],
+      storiesMontage: null,
+      print: null,
+      boomerang: null,
+      createdAt: new Date(Date.now() - 2 * 24 * 3600 * 1000).toISOString()
+    }));
+
+    booth = createBoothServer({ uploadsDir, operatorPin: OPERATOR_PIN, imgbbUpload: fakeImgbbUpload, printAuto: false, rateLimits: { shot: 4 } });
+    const port = await booth.listen(0);
+    baseUrl = `http://localhost:${port}`;
+    // checked here: the startup retention run (30s after listen) may remove it before the cleanup test
+    assert.equal((await api('/api/viewer/old-viewer', { headers: { authorization: `Bearer ${OPERATOR_PIN}` } })).status, 200);
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await booth.close();
+    console.error = consoleError;
+    const leftovers = filesUnder(uploadsDir).filter(f => f.endsWith('.tmp'));
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    assert.deepEqual(persistErrors, []);
+    assert.deepEqual(leftovers, []);
+  });
+
+  it('phone: cell_connected -> photos_from_cell -> show_qr_on_viewer + viewer_photos_ready', async () => {
+    const phone = await connectPhone();
+    const photos = [await testPhoto('#c33'), await testPhoto('#3c3')];
+    const [err, ack] = await emitWithAck(phone, 'photos_from_cell', { session: SESSION, photos });
+    assert.equal(err, null);
+    assert.equal(ack.ok, true);
+
+    const qr = await nextEvent(phone, 'show_qr_on_viewer', data => data.viewerId === ack.viewerId);
+    const { viewerId, token } = linkParams(qr.visualizadorUrl);
+    assert.equal(viewerId, ack.viewerId);
+    assert.ok(token);
+
+    // the guest opens the link: the stored viewer comes back on join
+    const viewer = await connect();
+    const ready = nextEvent(viewer, 'viewer_photos_ready');
+    viewer.emit('viewer_join', { viewerId, token });
+    const payload = await ready;
+    assert.equal(payload.viewerId, viewerId);
+    assert.equal(payload.photos.length, 2);
+    payload.photos.forEach(url => assert.match(url, /^https:\/\/i\.ibb\.co\/test\//));
+    assert.ok(payload.storiesMontage);
+    assert.ok(imgbbUploads.filter(u => u.mime === 'image/jpeg').length >= 2);
+  });
+
+  it('a visualizador already in the room gets viewer_photos_ready when the montage is done', async () => {
+    const phone = await connectPhone();
+    const [, ack] = await emitWithAck(phone, 'photos_from_cell', { session: SESSION, photos: [await testPhoto('#33c')] });
+    // operators may join a viewer by id without the link token
+    const operator = await connect({ operatorPin: OPERATOR_PIN });
+    const ready = nextEvent(operator, 'viewer_photos_ready', data => data.viewerId === ack.viewerId && data.photos.length === 1);
+    operator.emit('viewer_join', { viewerId: ack.viewerId });
+    const payload = await ready;
+    assert.ok(payload.storiesMontage);
+    assert.ok(payload.print);
+  });
+
+  it('signed links of a session go only to its operators and the phone that made the capture', async () => {
+    const intruder = await connect();
+    const rejected = nextEvent(intruder, 'payload_rejected');
+    intruder.emit('join_session', { session: SESSION, role: 'spy' });
+    assert.equal((await rejected).event, 'join_session');
+
+    // another phone in the room (anyone who read the session name off the phone QR)
+    const bystander = await connectPhone();
+    const leaked = [];
+    ['show_qr_on_viewer', 'photos_ready'].forEach(event => bystander.on(event, () => leaked.push(event)));
+    const bystanderQrState = nextEvent(bystander, 'booth_state', state => state.state === 'showing_qr');
+
+    const operator = await connectOperator();
+    const phone = await connectPhone();
+    const [, ack] = await emitWithAck(phone, 'photos_from_cell', { session: SESSION, photos: [await testPhoto('#3cc')] });
+    const operatorQr = nextEvent(operator, 'show_qr_on_viewer', data => data.viewerId === ack.viewerId);
+    const phoneState = nextEvent(phone, 'booth_state', state => state.state === 'showing_qr');
+    const qr = await nextEvent(phone, 'show_qr_on_viewer', data => data.viewerId === ack.viewerId);
+    assert.equal((await operatorQr).visualizadorUrl, qr.visualizadorUrl);
+    assert.equal((await phoneState).visualizadorUrl, qr.visualizadorUrl);
+    assert.equal((await bystanderQrState).visualizadorUrl, null);
+    assert.deepEqual(leaked, []);
+  });
+
+  it('a phone cannot claim the capture in progress with what the booth broadcasts', async () => {
+    await connectOperator('claim-booth');
+    const phone = await connect();
+    await emitWithAck(phone, 'cell_connected', { session: 'claim-booth' });
+    const other = await connect();
+    await emitWithAck(other, 'cell_connected', { session: 'claim-booth' });
+    const leaked = [];
+    ['show_qr_on_viewer', 'photos_ready', 'photo_ready'].forEach(event => other.on(event, () => leaked.push(event)));
+
+    const seen = nextEvent(other, 'booth_state', state => state.state === 'capturing');
+    const [, started] = await emitWithAck(phone, 'booth_capture_start', { session: 'claim-booth', captureId: 'capture-claim-1', kind: 'photos' });
+    assert.equal(started.captureId, 'capture-claim-1');
+    const capturing = await seen;
+    assert.equal(capturing.captureId, null);
+
+    // the other phone "reconnects" with the capture it saw; the link still goes to the phone that started it
+    const [replayed] = await emitWithAck(other, 'cell_connected', { session: 'claim-booth', captureId: capturing.captureId || undefined });
+    assert.equal(replayed.ok, true);
+    const [, shot] = await emitWithAck(phone, 'capture_photo', { session: 'claim-booth', captureId: 'capture-claim-1', index: 0, photo: await testPhoto('#c3c') });
+    assert.equal(shot.ok, true);
+    const otherQrState = nextEvent(other, 'booth_state', state => state.state === 'showing_qr');
+    const qr = nextEvent(phone, 'show_qr_on_viewer');
+    const finalized = await api('/api/captures/capture-claim-1/finalize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session: 'claim-booth', captureId: 'capture-claim-1', count: 1 })
+    });
+    assert.equal(finalized.status, 200);
+    assert.ok((await qr).visualizadorUrl);
+    assert.equal((await otherQrState).visualizadorUrl, null);
+    assert.deepEqual(leaked, []);
+  });
+
+  it('a capture in progress can only be restarted or cancelled by its phone or an operator', async () => {
+    const operator = await connectOperator('busy-booth');
+    const phone = await connect();
+    await emitWithAck(phone, 'cell_connected', { session: 'busy-booth' });
+    const other = await connect();
+    await emitWithAck(other, 'cell_connected', { session: 'busy-booth' });
+
+    const [, started] = await emitWithAck(phone, 'booth_capture_start', { session: 'busy-booth', captureId: 'capture-busy-1', kind: 'photos' });
+    assert.deepEqual([started.ok, started.state], [true, 'capturing']);
+    const [, takeover] = await emitWithAck(other, 'booth_capture_start', { session: 'busy-booth', captureId: 'capture-busy-2', kind: 'photos' });
+    assert.deepEqual([takeover.ok, takeover.code, takeover.captureId], [false, 'booth_busy', null]);
+
+    // a cancel from another phone is ignored, with or without the captureId
+    other.emit('booth_capture_cancel', { session: 'busy-booth' });
+    other.emit('booth_capture_cancel', { session: 'busy-booth', captureId: 'capture-busy-1' });
+    const [, stillBusy] = await emitWithAck(other, 'booth_state_get', { session: 'busy-booth' });
+    assert.equal(stillBusy.state, 'capturing');
+    const [, restarted] = await emitWithAck(phone, 'booth_capture_start', { session: 'busy-booth', captureId: 'capture-busy-3', kind: 'photos' });
+    assert.deepEqual([restarted.ok, restarted.captureId], [true, 'capture-busy-3']);
+
+    const idle = nextEvent(phone, 'booth_state', state => state.state === 'idle');
+    operator.emit('booth_capture_cancel', { session: 'busy-booth' });
+    assert.equal((await idle).reason, 'capture cancelled');
+
+    // the booth is free again: the other phone may start, and cancel its own capture
+    const [, next] = await emitWithAck(other, 'booth_capture_start', { session: 'busy-booth', captureId: 'capture-busy-4', kind: 'photos' });
+    assert.equal(next.ok, true);
+    other.emit('booth_capture_cancel', { session: 'busy-booth', captureId: 'capture-busy-4' });
+    const [, freed] = await emitWithAck(other, 'booth_state_get', { session: 'busy-booth' });
+    assert.equal(freed.state, 'idle');
+  });
+
+  it('/upload_photos (HTTP fallback) creates a viewer and announces it', async () => {
+    const operator = await connectOperator();
+    const res = await api('/upload_photos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session: SESSION, photos: [await testPhoto('#cc3')] })
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    const qr = await nextEvent(operator, 'show_qr_on_viewer', data => data.viewerId === res.body.viewerId);
+    const { token } = linkParams(qr.visualizadorUrl);
+
+    const viewer = await api(`/api/viewer/${res.body.viewerId}?token=${encodeURIComponent(token)}`);
+    assert.equal(viewer.status, 200);
+    assert.equal(viewer.body.viewer.photos.length, 1);
+    assert.equal((await api('/upload_photos', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })).status, 400);
+  });
+
+  it('boomerang_ready is operator-only and publishes a boomerang viewer', async () => {
+    const gif = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#c3c' } }).gif().toBuffer();
+    const dataUrl = 'data:image/gif;base64,' + gif.toString('base64');
+
+    const guest = await connect();
+    const refused = nextEvent(guest, 'operator_auth_required');
+    guest.emit('boomerang_ready', { session: SESSION, dataUrl });
+    assert.equal((await refused).event, 'boomerang_ready');
+
+    const operator = await connectOperator();
+    const ready = nextEvent(operator, 'boomerang_ready');
+    const qr = nextEvent(operator, 'show_qr_on_viewer');
+    operator.emit('boomerang_ready', { session: SESSION, dataUrl });
+    const boomerang = await ready;
+    assert.match(boomerang.videoUrl, /^https:\/\/i\.ibb\.co\/test\//);
+    const { viewerId, token } = linkParams((await qr).visualizadorUrl);
+    const viewer = await api(`/api/viewer/${viewerId}?token=${encodeURIComponent(token)}`);
+    assert.equal(viewer.body.viewer.boomerang, boomerang.videoUrl);
+  });
+
+  it('viewer_join by id needs the signed token', async () => {
+    const viewer = await connect();
+    const error = nextEvent(viewer, 'viewer_session_error');
+    viewer.emit('viewer_join', { viewerId: 'old-viewer', token: 'not-a-token' });
+    assert.equal((await error).error, 'invalid or expired link');
+  });
+
+  it('viewer_join by session is operator-only and sends the latest viewer', async () => {
+    const guest = await connect();
+    const refused = nextEvent(guest, 'operator_auth_required');
+    guest.emit('viewer_join', { session: SESSION });
+    assert.equal((await refused).event, 'viewer_join');
+
+    const operator = await connect({ operatorPin: OPERATOR_PIN });
+    const latest = nextEvent(operator, 'viewer_photos_ready');
+    operator.emit('viewer_join', { session: SESSION });
+    const payload = await latest;
+    assert.ok(payload.viewerId);
+    assert.equal(payload.session, SESSION);
+  });
+
+  it('stores EXIF-oriented originals with thumb/web variants and removes the variants with the viewer', async () => {
+    const operator = await connectOperator();
+    // a sideways camera JPEG (1600x1200 pixels, EXIF orientation 6 = rotate 90°) with a GPS-bearing EXIF block
+    const sideways = await sharp({ create: { width: 1600, height: 1200, channels: 3, background: '#3cc' } })
+      .jpeg()
+      .withMetadata({ orientation: 6, exif: { IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '23/1 33/1 0/1' } } })
+      .toBuffer();
+    const res = await api('/upload_photos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session: SESSION, photos: ['data:image/jpeg;base64,' + sideways.toString('base64')] })
+    });
+    const qr = await nextEvent(operator, 'show_qr_on_viewer', data => data.viewerId === res.body.viewerId);
+    const { viewerId, token } = linkParams(qr.visualizadorUrl);
+    const { viewer } = (await api(`/api/viewer/${viewerId}?token=${encodeURIComponent(token)}`)).body;
+
+    const original = imgbbUploads.find(u => viewer.photos[0].endsWith(u.name));
+    const meta = await sharp(original.buffer).metadata();
+    assert.deepEqual([meta.width, meta.height, meta.exif, meta.orientation], [1200, 1600, undefined, undefined]);
+
+    const info = viewer.images.photos[0];
+    assert.deepEqual([info.width, info.height], [1200, 1600]);
+    // 1200px wide: the 1280px `web` size would not be smaller than the original, so only the thumb is made
+    assert.deepEqual(info.variants.map(v => `${v.name}:${v.type}:${v.width}x${v.height}`), ['thumb:image/webp:400x533', 'thumb:image/jpeg:400x533']);
+    const files = info.variants.map(v => path.join(uploadsDir, path.basename(v.url)));
+    files.forEach(file => assert.ok(fs.existsSync(file), file));
+    assert.equal((await sharp(files[0]).metadata()).format, 'webp');
+    assert.ok(viewer.images.storiesMontage.variants.some(v => v.name === 'web'));
+
+    const deleted = await api(`/api/viewer/${viewerId}`, { method: 'DELETE', headers: { authorization: `Bearer ${OPERATOR_PIN}` } });
+    assert.equal(deleted.status, 200);
+    files.forEach(file => assert.equal(fs.existsSync(file), false));
+  });
+
+  it('rejects media whose bytes do not match the declared type, with a structured code', async () => {
+    const phone = await connectPhone();
+    const fake = 'data:image/jpeg;base64,' + Buffer.from('<script>alert(1)</script>'.repeat(4)).toString('base64');
+    const [err, ack] = await emitWithAck(phone, 'photos_from_cell', { session: SESSION, photos: [fake] });
+    assert.equal(err, null);
+    assert.deepEqual([ack.ok, ack.code], [false, 'invalid_media']);
+
+    const svg = 'data:image/svg+xml;base64,' + Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>').toString('base64');
+    const [, svgAck] = await emitWithAck(phone, 'capture_photo', { session: SESSION, captureId: 'capture-svg-1', index: 0, photo: svg });
+    assert.equal(svgAck.code, 'invalid_media');
+
+    const photo = await testPhoto('#999');
+    const [, tooMany] = await emitWithAck(phone, 'photos_from_cell', { session: SESSION, photos: Array(7).fill(photo) });
+    assert.equal(tooMany.code, 'too_large');
+
+    const res = await api('/upload_photos', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ session: SESSION, photos: [fake] }) });
+    assert.deepEqual([res.status, res.body.code], [415, 'invalid_media']);
+
+    // remote URLs (operator events) are only taken from the configured storage hosts
+    const operator = await connectOperator();
+    const [internal] = await emitWithAck(operator, 'create_viewer_session', { session: SESSION, photos: ['http://169.254.169.254/latest/meta-data/'] });
+    assert.deepEqual([internal.ok, internal.code], [false, 'invalid_media']);
+    // the path of one of our uploads on another host is not one of our uploads
+    const [foreign] = await emitWithAck(operator, 'create_viewer_session', { session: SESSION, photos: ['https://elsewhere.example/uploads/old_photo_0.jpg'] });
+    assert.deepEqual([foreign.ok, foreign.code], [false, 'invalid_media']);
+  });
+
+  it('rejects malformed payloads and ids before they reach a handler', async () => {
+    const phone = await connect();
+    const rejected = nextEvent(phone, 'payload_rejected');
+    phone.emit('booth_capture_cancel', { session: '../../etc' });
+    assert.deepEqual(await rejected, { event: 'booth_capture_cancel', ok: false, code: 'invalid_payload', err: 'invalid session' });
+
+    const viewer = await connect();
+    const error = nextEvent(viewer, 'viewer_session_error');
+    viewer.emit('viewer_join', { viewerId: '../viewers/old-viewer' });
+    assert.equal((await error).code, 'invalid_payload');
+
+    const res = await api('/api/captures/bad%20id!/finalize', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.deepEqual([res.status, res.body.code], [400, 'invalid_payload']);
+    const broken = await api('/upload_photos', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"session":' });
+    assert.deepEqual([broken.status, broken.body.code], [400, 'invalid_payload']);
+  });
+
+  it('rate-limits captures per client and booth and refuses unknown booths', async () => {
+    const phone = await connect();
+    const photo = await testPhoto('#555');
+    const [, unknown] = await emitWithAck(phone, 'capture_photo', { session: 'rate-booth', captureId: 'capture-rate-0', index: 0, photo });
+    assert.deepEqual([unknown.ok, unknown.code], [false, 'invalid_payload']);
+    await connectOperator('rate-booth');
+    await connectOperator('other-booth');
+    const codes = [];
+    for (let i = 0; i < 5; i++) {
+      const [, ack] = await emitWithAck(phone, 'capture_photo', { session: 'rate-booth', captureId: 'capture-rate-1', index: 0, photo });
+      codes.push(ack.ok ? 'ok' : ack.code);
+    }
+    assert.deepEqual(codes, ['ok', 'ok', 'ok', 'ok', 'rate_limited']);
+    // other booths keep their own budget
+    const [, other] = await emitWithAck(phone, 'capture_photo', { session: 'other-booth', captureId: 'capture-rate-2', index: 0, photo });
+    assert.equal(other.ok, true);
+  });
+
+  it('slideshow: new captures go on the TV first; operators pin, skip and hide; guests need the signed link', async () => {
+    const guest = await connect();
+    const [, refused] = await emitWithAck(guest, 'slideshow_join', { session: 'tv-booth' });
+    assert.equal(refused.ok, false);
+
+    const tv = await connectOperator('tv-booth');
+    const [, joined] = await emitWithAck(tv, 'slideshow_join', { session: 'tv-booth' });
+    assert.equal(joined.ok, true);
+    assert.equal(joined.slide, null);
+    assert.match(joined.boothUrl, /\/celular\.html\?session=tv-booth$/);
+
+    const phone = await connect();
+    await emitWithAck(phone, 'cell_connected', { session: 'tv-booth' });
+    const shown = nextEvent(tv, 'slideshow_slide', state => state.slide && state.fresh);
+    const [, first] = await emitWithAck(phone, 'photos_from_cell', { session: 'tv-booth', photos: [await testPhoto('#a5a')] });
+    const slide = await shown;
+    assert.equal(slide.slide.viewerId, first.viewerId);
+    assert.ok(slide.slide.storiesMontage);
+    assert.equal(slide.slide.visualizadorUrl, undefined);
+
+    const [pinned] = await emitWithAck(tv, 'slideshow_control', { session: 'tv-booth', action: 'pin' });
+    assert.deepEqual([pinned.ok, pinned.pinned, pinned.slide.viewerId], [true, true, first.viewerId]);
+
+    // a pinned capture holds the screen: the new one waits until the operator skips
+    const qr = nextEvent(phone, 'show_qr_on_viewer');
+    const [, second] = await emitWithAck(phone, 'photos_from_cell', { session: 'tv-booth', photos: [await testPhoto('#5aa')] });
+    await qr;
+    const [skipped] = await emitWithAck(tv, 'slideshow_control', { session: 'tv-booth', action: 'skip' });
+    assert.deepEqual([skipped.slide.viewerId, skipped.fresh, skipped.pinned], [second.viewerId, true, false]);
+
+    const [hidden] = await emitWithAck(tv, 'slideshow_control', { session: 'tv-booth', action: 'hide' });
+    assert.deepEqual([hidden.slide.viewerId, hidden.hidden], [first.viewerId, 1]);
+
+    // an operator re-submission replaces the media but keeps the hidden capture hidden, with its original createdAt
+    const auth = { headers: { authorization: `Bearer ${OPERATOR_PIN}` } };
+    const original = (await api(`/api/viewer/${second.viewerId}`, auth)).body.viewer;
+    const [resubmitted] = await emitWithAck(tv, 'create_viewer_session', { session: 'tv-booth', viewerId: second.viewerId, photos: [await testPhoto('#aa5')] });
+    assert.equal(resubmitted.ok, true);
+    const replaced = (await api(`/api/viewer/${second.viewerId}`, auth)).body.viewer;
+    assert.notDeepEqual(replaced.photos, original.photos);
+    assert.deepEqual([replaced.slideshowHidden, replaced.createdAt], [true, original.createdAt]);
+
+    const [unhidden] = await emitWithAck(tv, 'slideshow_control', { session: 'tv-booth', action: 'unhide' });
+    assert.equal(unhidden.hidden, 0);
+
+    const [notOperator] = await emitWithAck(guest, 'slideshow_control', { session: 'tv-booth', action: 'skip' });
+    assert.equal(notOperator.ok, false);
+  });
+
+  it('cleanupOldViewers deletes expired viewers with their media and keeps recent ones', async () => {
+    const auth = { headers: { authorization: `Bearer ${OPERATOR_PIN}` } };
+    await booth.cleanupOldViewers();
+
+    assert.equal((await api('/api/viewer/old-viewer', auth)).status, 404);
+    assert.equal(fs.existsSync(path.join(uploadsDir, 'old_photo_0.jpg')), false);
+    assert.equal(fs.existsSync(path.join(uploadsDir, 'viewers', 'old-viewer.json')), false);
+    const remaining = fs.readdirSync(path.join(uploadsDir, 'viewers')).filter(f => f.endsWith('.json'));
+    assert.ok(remaining.length >= 3, `recent viewers kept (${remaining.length})`);
+  });
+});